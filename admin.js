@@ -0,0 +1,556 @@
+/**
+ * Admin Console Module
+ *
+ * Pages under /admin for operating the server from a browser instead of a
+ * SQLite client: SHL entries with their files and access logs, the config
+ * rows, and the state of the FHIR validator and the XIG database. Pages are
+ * built from admin-template.html the same way xig.js builds its pages, and
+ * use the bootstrap assets in static/.
+ *
+ * Every page needs a client with the admin:console scope (HTTP Basic, so the
+ * browser asks for it); each action also needs the scope of the matching API
+ * route, and is only accepted from the console's own pages.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, getDatabaseInfo, getCacheStats, updateXigDatabase } = require('./xig.js');
+
+const router = express.Router();
+
+const TEMPLATE_PATH = path.join(__dirname, 'admin-template.html');
+
+// Most SHL entries listed on one page, newest first
+const SHL_LIST_LIMIT = 200;
+
+// Set by initializeAdmin
+let db = null;
+let requireConsoleScope = null;
+let configKeys = [];
+let writableConfigKeys = [];
+let updateConfig = null;
+let getValidator = null;
+let startValidator = null;
+let noExpiry = null;
+let fileSizeSql = 'size';
+let htmlTemplate = '';
+
+// Validator start and XIG update run on after the request that started them
+let validatorStarting = false;
+let validatorError = null;
+let xigUpdate = null;
+
+// Messages shown after an action, by the notice query parameter of the page it redirects to
+const NOTICES = {
+  'validator-starting': 'The validator is starting - this can take a minute.',
+  'validator-running': 'The validator is already running.',
+  'validator-stopped': 'The validator has been stopped.',
+  'validator-not-running': 'The validator is not running.',
+  'xig-update-started': 'The XIG database update has started.',
+  'xig-update-running': 'An XIG database update is already running.',
+  'config-saved': 'The config value has been saved.'
+};
+
+/**
+ * Set up the console
+ *
+ * @param {object} options
+ * @param {object} options.db - The server's sqlite3 database
+ * @param {function(string): function} options.requireScope - Middleware factory that authenticates a client with a scope
+ * @param {string[]} options.configKeys - Config keys that can be shown
+ * @param {string[]} options.writableConfigKeys - Config keys that can be changed
+ * @param {function(string, string, function(object, string))} options.updateConfig - Checks and stores a config value;
+ *   calls back with {status, message} on failure, or null and the stored value
+ * @param {function(): object} options.getValidator - The current FhirValidator, or null
+ * @param {function(): Promise} options.startValidator - Starts a validator with the validator.* config
+ * @param {string} options.noExpiry - The expires_at value of links that never expire
+ * @param {string} options.fileSizeSql - SQL for the size of an SHLFiles row, as the API reports it
+ */
+function initializeAdmin(options) {
+  db = options.db;
+  requireConsoleScope = options.requireScope('admin:console');
+  configKeys = options.configKeys;
+  writableConfigKeys = options.writableConfigKeys;
+  updateConfig = options.updateConfig;
+  getValidator = options.getValidator;
+  startValidator = options.startValidator;
+  noExpiry = options.noExpiry;
+  fileSizeSql = options.fileSizeSql;
+  htmlTemplate = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+}
+
+// Escape a value for HTML; null and undefined show as nothing
+function text(value) {
+  return value === null || value === undefined ? '' : escapeHtml(value);
+}
+
+// Replacements are functions so that $ in the content is left alone
+function renderPage(title, content, client) {
+  return htmlTemplate
+    .replace(/\[%title%\]/g, () => escapeHtml(title))
+    .replace(/\[%content%\]/g, () => content) // Content is already-safe HTML
+    .replace(/\[%client%\]/g, () => escapeHtml(client ? client.name : ''))
+    .replace(/\[%time%\]/g, () => escapeHtml(new Date().toISOString()));
+}
+
+function sendPage(req, res, status, title, content) {
+  res.status(status).type('html').send(renderPage(title, content, req.client));
+}
+
+function alertHtml(kind, message) {
+  return `<div class="alert alert-${kind}">${text(message)}</div>`;
+}
+
+function noticeHtml(req) {
+  return NOTICES[req.query.notice] ? alertHtml('success', NOTICES[req.query.notice]) : '';
+}
+
+function sendError(req, res, status, message) {
+  sendPage(req, res, status, 'Error', alertHtml('danger', message));
+}
+
+// Forms are only accepted from the console's own pages, so another site can't post them with the
+// operator's remembered credentials. Browsers send Origin with form posts; Referer is the fallback
+function isSameOrigin(req) {
+  const source = req.get('Origin') || req.get('Referer');
+  if (!source) {
+    return false;
+  }
+  try {
+    return new URL(source).host === req.get('host');
+  } catch (err) {
+    return false;
+  }
+}
+
+// Check an action before it is carried out, sending the error page if it isn't allowed
+function allowAction(req, res, scope) {
+  if (!isSameOrigin(req)) {
+    sendError(req, res, 403, 'Actions can only be started from the admin console pages');
+    return false;
+  }
+  if (!req.client.scopes.includes(scope)) {
+    sendError(req, res, 403, `This client does not have the ${scope} scope`);
+    return false;
+  }
+  return true;
+}
+
+function actionForm(action, label, kind) {
+  return `<form method="post" action="${action}" style="display: inline"><button type="submit" class="btn btn-${kind}">${text(label)}</button></form>`;
+}
+
+function formatExpiry(expiresAt) {
+  return expiresAt === noExpiry ? 'Never' : text(expiresAt);
+}
+
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return '';
+  }
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} bytes`;
+}
+
+// Where an SHL entry stands for the console: deactivated, expired (until the hourly cleanup
+// deletes it), not yet valid or active
+function entryStatus(row, now) {
+  if (!row.active) {
+    return { name: 'deactivated', kind: 'default' };
+  }
+  if (row.expires_at < now) {
+    return { name: 'expired', kind: 'warning' };
+  }
+  if (row.not_before && row.not_before > now) {
+    return { name: 'not yet valid', kind: 'info' };
+  }
+  return { name: 'active', kind: 'success' };
+}
+
+function statusLabel(status) {
+  return `<span class="label label-${status.kind}">${text(status.name)}</span>`;
+}
+
+// SQL conditions for the SHL list filters; each takes the current time as its parameters
+const SHL_FILTERS = {
+  active: { label: 'Active', where: 'active = 1 AND expires_at >= ?', params: 1 },
+  expired: { label: 'Expired', where: 'active = 1 AND expires_at < ?', params: 1 },
+  deactivated: { label: 'Deactivated', where: 'active = 0', params: 0 },
+  all: { label: 'All', where: '1 = 1', params: 0 }
+};
+
+// Calls back with the number of SHL entries for each filter
+function countEntries(now, callback) {
+  const countSql = `SELECT COALESCE(SUM(active = 1 AND expires_at >= ?), 0) AS active,
+    COALESCE(SUM(active = 1 AND expires_at < ?), 0) AS expired,
+    COALESCE(SUM(active = 0), 0) AS deactivated, COUNT(*) AS total FROM SHL`;
+
+  db.get(countSql, [now, now], (err, row) => {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, { active: row.active, expired: row.expired, deactivated: row.deactivated, all: row.total });
+  });
+}
+
+function validatorStatus() {
+  const validator = getValidator();
+  if (validatorStarting) {
+    return { name: 'Starting', kind: 'info' };
+  }
+  if (!validator) {
+    return { name: 'Not initialized', kind: 'default' };
+  }
+  return validator.isRunning() ? { name: 'Running', kind: 'success' } : { name: 'Stopped', kind: 'danger' };
+}
+
+// The operator has to sign in for every page
+router.use((req, res, next) => {
+  // Pages are for the operator's own browser: not readable by other origins, framed or cached
+  res.removeHeader('Access-Control-Allow-Origin');
+  res.removeHeader('Access-Control-Allow-Credentials');
+  res.set({ 'X-Frame-Options': 'DENY', 'Cache-Control': 'no-store' });
+  requireConsoleScope(req, res, next);
+});
+router.use(express.urlencoded({ extended: false }));
+
+// Status page - SHL entry counts, validator and XIG database
+router.get('/', (req, res) => {
+  const now = new Date().toISOString();
+
+  countEntries(now, (err, counts) => {
+    if (err) {
+      return sendError(req, res, 500, 'Database error');
+    }
+
+    db.all('SELECT key, value FROM config WHERE key LIKE \'validator.%\' ORDER BY key', [], async (err, validatorRows) => {
+      if (err) {
+        return sendError(req, res, 500, 'Database error');
+      }
+
+      let xigInfo;
+      try {
+        xigInfo = await getDatabaseInfo();
+      } catch (xigErr) {
+        xigInfo = { connected: false, error: xigErr.message };
+      }
+      const cacheStats = getCacheStats();
+
+      const entryRows = Object.keys(SHL_FILTERS).map(filter =>
+        `<tr><td><a href="/admin/shl?status=${filter}">${SHL_FILTERS[filter].label}</a></td><td>${counts[filter]}</td></tr>`).join('\n');
+
+      const validator = validatorStatus();
+      const validatorConfig = validatorRows.map(row => `<tr><td>${text(row.key)}</td><td>${text(row.value)}</td></tr>`).join('\n');
+      const validatorActions = validator.name === 'Running'
+        ? actionForm('/admin/validator/stop', 'Stop validator', 'danger')
+        : (validatorStarting ? '' : actionForm('/admin/validator/start', 'Start validator', 'primary'));
+
+      let xigState = '';
+      if (xigUpdate && !xigUpdate.finishedAt) {
+        xigState = `<p>Update started at ${text(xigUpdate.startedAt)} is running.</p>`;
+      } else if (xigUpdate) {
+        xigState = `<p>Last update from the console finished at ${text(xigUpdate.finishedAt)} - see the server log for the result.</p>`;
+      }
+
+      const content = `
+${noticeHtml(req)}
+<h3>SHL entries</h3>
+<table class="table table-condensed table-bordered">
+<tr><th>Status</th><th>Entries</th></tr>
+${entryRows}
+</table>
+
+<h3>FHIR validator</h3>
+<p>Status: ${statusLabel(validator)}</p>
+${validatorError ? alertHtml('danger', `Last start failed: ${validatorError}`) : ''}
+<table class="table table-condensed table-bordered">
+<tr><th>Config</th><th>Value</th></tr>
+${validatorConfig}
+</table>
+<p>${validatorActions}</p>
+
+<h3>XIG database</h3>
+<table class="table table-condensed table-bordered">
+<tr><td>Connected</td><td>${xigInfo.connected ? 'Yes' : 'No'}${xigInfo.error ? ` (${text(xigInfo.error)})` : ''}</td></tr>
+<tr><td>Tables</td><td>${text(xigInfo.tableCount)}</td></tr>
+<tr><td>File size</td><td>${formatSize(xigInfo.fileSize)}</td></tr>
+<tr><td>Last modified</td><td>${xigInfo.lastModified ? text(xigInfo.lastModified.toISOString()) : 'Never downloaded'}</td></tr>
+<tr><td>Cache</td><td>${cacheStats.loaded ? `Loaded ${text(cacheStats.lastUpdated)}` : 'Not loaded'}</td></tr>
+</table>
+${xigState}
+<p>${xigUpdate && !xigUpdate.finishedAt ? '' : actionForm('/admin/xig/update', 'Update XIG database', 'primary')}</p>
+`;
+      sendPage(req, res, 200, 'Status', content);
+    });
+  });
+});
+
+// SHL entries, filtered by status
+router.get('/shl', (req, res) => {
+  const now = new Date().toISOString();
+  const status = SHL_FILTERS[req.query.status] ? req.query.status : 'active';
+  const filter = SHL_FILTERS[status];
+
+  countEntries(now, (err, counts) => {
+    if (err) {
+      return sendError(req, res, 500, 'Database error');
+    }
+
+    // Accesses are the manifest requests that were let through, as counted against max_accesses
+    const listSql = `SELECT uuid, label, flag, expires_at, not_before, active, max_accesses, client_id, created_at,
+      (SELECT COUNT(*) FROM SHLFiles WHERE SHLFiles.shl_uuid = SHL.uuid) AS file_count,
+      (SELECT COUNT(*) FROM SHLViews WHERE SHLViews.shl_uuid = SHL.uuid AND denied IS NULL) AS access_count,
+      (SELECT COUNT(*) FROM SHLViews WHERE SHLViews.shl_uuid = SHL.uuid AND denied IS NOT NULL) AS denied_count
+      FROM SHL WHERE ${filter.where} ORDER BY created_at DESC LIMIT ?`;
+    const params = [...Array(filter.params).fill(now), SHL_LIST_LIMIT];
+
+    db.all(listSql, params, (err, rows) => {
+      if (err) {
+        return sendError(req, res, 500, 'Database error');
+      }
+
+      const tabs = Object.keys(SHL_FILTERS).map(name => name === status
+        ? `<b>${SHL_FILTERS[name].label} (${counts[name]})</b>`
+        : `<a href="/admin/shl?status=${name}">${SHL_FILTERS[name].label} (${counts[name]})</a>`).join(' &nbsp;|&nbsp; ');
+
+      const tableRows = rows.map(row => `<tr>
+  <td><a href="/admin/shl/${encodeURIComponent(row.uuid)}"><code>${text(row.uuid)}</code></a></td>
+  <td>${text(row.label)}</td>
+  <td>${text(row.flag)}</td>
+  <td>${statusLabel(entryStatus(row, now))}</td>
+  <td>${formatExpiry(row.expires_at)}</td>
+  <td>${row.file_count}</td>
+  <td>${row.access_count}${row.max_accesses ? ` of ${row.max_accesses}` : ''}</td>
+  <td>${row.denied_count}</td>
+  <td>${text(row.client_id || 'admin')}</td>
+  <td>${text(row.created_at)}</td>
+</tr>`).join('\n');
+
+      const content = `
+<p>${tabs}</p>
+${rows.length === SHL_LIST_LIMIT ? `<p>Showing the newest ${SHL_LIST_LIMIT} entries.</p>` : ''}
+<table class="table table-condensed table-bordered">
+<tr><th>UUID</th><th>Label</th><th>Flags</th><th>Status</th><th>Expires</th><th>Files</th><th>Accesses</th><th>Refused</th><th>Created by</th><th>Created</th></tr>
+${tableRows || '<tr><td colspan="10">No entries</td></tr>'}
+</table>
+`;
+      sendPage(req, res, 200, `SHL Entries: ${filter.label}`, content);
+    });
+  });
+});
+
+// One SHL entry with its files, recipients and access log
+router.get('/shl/:uuid', (req, res) => {
+  const { uuid } = req.params;
+  const now = new Date().toISOString();
+
+  db.get('SELECT * FROM SHL WHERE uuid = ?', [uuid], (err, row) => {
+    if (err) {
+      return sendError(req, res, 500, 'Database error');
+    }
+    if (!row) {
+      return sendError(req, res, 404, 'SHL entry not found');
+    }
+
+    const getFilesSql = `SELECT id, type, ${fileSizeSql} AS size, created_at FROM SHLFiles WHERE shl_uuid = ? ORDER BY created_at`;
+
+    db.all(getFilesSql, [uuid], (err, fileRows) => {
+      if (err) {
+        return sendError(req, res, 500, 'Database error');
+      }
+
+      // File downloads are logged against the file id rather than the link
+      const getViewsSql = 'SELECT id, shl_uuid, recipient, ip_address, manifest_view_id, denied, created_at FROM SHLViews WHERE shl_uuid = ? OR shl_uuid IN (SELECT id FROM SHLFiles WHERE shl_uuid = ?) ORDER BY id DESC';
+
+      db.all(getViewsSql, [uuid, uuid], (err, viewRows) => {
+        if (err) {
+          return sendError(req, res, 500, 'Database error');
+        }
+
+        db.all('SELECT recipient, files FROM SHLRecipients WHERE shl_uuid = ? ORDER BY created_at, recipient', [uuid], (err, recipientRows) => {
+          if (err) {
+            return sendError(req, res, 500, 'Database error');
+          }
+
+          const details = [
+            ['Status', statusLabel(entryStatus(row, now))],
+            ['Label', text(row.label)],
+            ['Flags', text(row.flag)],
+            ['VHL', row.vhl ? 'Yes' : 'No'],
+            ['Expires', formatExpiry(row.expires_at)],
+            ['Not before', text(row.not_before)],
+            ['Passcode', row.passcode_hash ? `${row.passcode_failures} of ${text(row.passcode_max_attempts)} attempts failed` : 'None'],
+            ['Max accesses', row.max_accesses ? text(row.max_accesses) : 'No limit'],
+            ['Viewer', text(row.viewer)],
+            ['Created by', text(row.client_id || 'admin')],
+            ['Created', text(row.created_at)],
+            ['Updated', text(row.updated_at)]
+          ].map(([name, value]) => `<tr><td>${name}</td><td>${value}</td></tr>`).join('\n');
+
+          const files = fileRows.map(file =>
+            `<tr><td><code>${text(file.id)}</code></td><td>${text(file.type)}</td><td>${formatSize(file.size)}</td><td>${text(file.created_at)}</td></tr>`).join('\n');
+
+          const recipients = recipientRows.map(recipient =>
+            `<tr><td>${text(recipient.recipient)}</td><td>${recipient.files ? text(JSON.parse(recipient.files).join(', ')) : 'All files'}</td></tr>`).join('\n');
+
+          const accesses = viewRows.map(view => `<tr>
+  <td>${view.id}</td>
+  <td>${text(view.created_at)}</td>
+  <td>${text(view.recipient)}</td>
+  <td>${text(view.ip_address)}</td>
+  <td>${view.shl_uuid !== uuid ? `File <code>${text(view.shl_uuid)}</code>${view.manifest_view_id ? ` (from access ${view.manifest_view_id})` : ''}` : 'Manifest'}</td>
+  <td>${view.denied ? `<span class="label label-danger">${text(view.denied)}</span>` : ''}</td>
+</tr>`).join('\n');
+
+          const content = `
+<p><code>${text(row.uuid)}</code></p>
+<table class="table table-condensed table-bordered">
+${details}
+</table>
+
+<h3>Files (${fileRows.length})</h3>
+<table class="table table-condensed table-bordered">
+<tr><th>Id</th><th>Content type</th><th>Size</th><th>Added</th></tr>
+${files || '<tr><td colspan="4">No files</td></tr>'}
+</table>
+
+<h3>Recipients</h3>
+${recipientRows.length > 0 ? `<table class="table table-condensed table-bordered">
+<tr><th>Recipient</th><th>Files</th></tr>
+${recipients}
+</table>` : '<p>Open to any recipient.</p>'}
+
+<h3>Access log (${viewRows.length})</h3>
+<table class="table table-condensed table-bordered">
+<tr><th>Id</th><th>When</th><th>Recipient</th><th>IP address</th><th>Accessed</th><th>Refused</th></tr>
+${accesses || '<tr><td colspan="6">No accesses</td></tr>'}
+</table>
+`;
+          sendPage(req, res, 200, `SHL Entry: ${row.label || row.uuid}`, content);
+        });
+      });
+    });
+  });
+});
+
+// Config rows - only the keys in configKeys are shown (never secrets), and those in writableConfigKeys can be changed
+function sendConfigPage(req, res, status, message) {
+  db.all('SELECT key, value FROM config ORDER BY key', [], (err, rows) => {
+    if (err) {
+      return sendError(req, res, 500, 'Database error');
+    }
+
+    const canWrite = req.client.scopes.includes('config:write');
+    const tableRows = rows.map(row => {
+      if (!configKeys.includes(row.key)) {
+        return `<tr><td>${text(row.key)}</td><td><i>Not shown</i></td></tr>`;
+      }
+      if (!canWrite || !writableConfigKeys.includes(row.key)) {
+        return `<tr><td>${text(row.key)}</td><td><code>${text(row.value)}</code></td></tr>`;
+      }
+      const input = row.key === 'shc.trust_store'
+        ? `<textarea name="value" rows="4" class="form-control">${text(row.value)}</textarea>`
+        : `<input type="text" name="value" value="${text(row.value)}" class="form-control input-sm"/>`;
+      return `<tr id="${text(row.key)}"><td>${text(row.key)}</td><td>
+<form method="post" action="/admin/config/${encodeURIComponent(row.key)}" class="form-inline">${input} <button type="submit" class="btn btn-default btn-sm">Save</button></form>
+</td></tr>`;
+    }).join('\n');
+
+    const content = `
+${message || noticeHtml(req)}
+<table class="table table-condensed table-bordered">
+<tr><th>Key</th><th>Value</th></tr>
+${tableRows}
+</table>
+`;
+    sendPage(req, res, status, 'Config', content);
+  });
+}
+
+router.get('/config', (req, res) => {
+  sendConfigPage(req, res, 200);
+});
+
+router.post('/config/:key', (req, res) => {
+  const { key } = req.params;
+  if (!allowAction(req, res, 'config:write')) {
+    return;
+  }
+
+  updateConfig(key, req.body.value, (failure) => {
+    if (failure) {
+      return sendConfigPage(req, res, failure.status, alertHtml('danger', `${key}: ${failure.message}`));
+    }
+    res.redirect(303, `/admin/config?notice=config-saved#${encodeURIComponent(key)}`);
+  });
+});
+
+// Start a validator with the validator.* config. Startup takes a while, so the page doesn't wait for it
+router.post('/validator/start', (req, res) => {
+  if (!allowAction(req, res, 'validator:manage')) {
+    return;
+  }
+
+  const validator = getValidator();
+  if (validatorStarting || (validator && validator.isRunning())) {
+    return res.redirect(303, '/admin?notice=validator-running');
+  }
+
+  validatorStarting = true;
+  validatorError = null;
+  startValidator()
+    .catch(err => {
+      validatorError = err.message;
+    })
+    .finally(() => {
+      validatorStarting = false;
+    });
+  res.redirect(303, '/admin?notice=validator-starting');
+});
+
+router.post('/validator/stop', async (req, res) => {
+  if (!allowAction(req, res, 'validator:manage')) {
+    return;
+  }
+
+  const validator = getValidator();
+  if (!validator || !validator.isRunning()) {
+    return res.redirect(303, '/admin?notice=validator-not-running');
+  }
+
+  try {
+    await validator.stop();
+  } catch (err) {
+    console.error('Error stopping FHIR validator:', err);
+    return sendError(req, res, 500, `Failed to stop the validator: ${err.message}`);
+  }
+  res.redirect(303, '/admin?notice=validator-stopped');
+});
+
+// Download a new XIG database. This takes minutes, so it runs on after the redirect
+router.post('/xig/update', (req, res) => {
+  if (!allowAction(req, res, 'xig:update')) {
+    return;
+  }
+
+  if (xigUpdate && !xigUpdate.finishedAt) {
+    return res.redirect(303, '/admin?notice=xig-update-running');
+  }
+
+  xigUpdate = { startedAt: new Date().toISOString(), finishedAt: null };
+  updateXigDatabase()
+    .catch(err => console.error('XIG database update error:', err))
+    .finally(() => {
+      xigUpdate.finishedAt = new Date().toISOString();
+    });
+  res.redirect(303, '/admin?notice=xig-update-started');
+});
+
+module.exports = {
+  router,
+  initializeAdmin,
+  renderPage
+};
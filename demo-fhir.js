@@ -0,0 +1,178 @@
+/**
+ * Demo FHIR Endpoint Module
+ *
+ * A small stand-in FHIR server holding one example patient, so that
+ * application/smart-api-access entries can be tested end to end locally:
+ * the SHL manifest hands out an access token, and this endpoint only answers
+ * requests that carry a valid token whose aud and scopes allow the request.
+ */
+
+const express = require('express');
+
+const router = express.Router();
+
+// Set by initializeDemoFhir - checks a token with the SHL server
+let tokenValidator = null;
+let baseUrlResolver = null;
+
+// The resources served, all for a single patient
+const RESOURCES = [
+  {
+    resourceType: 'Patient',
+    id: 'example',
+    name: [{ family: 'Anyperson', given: ['Jane'] }],
+    gender: 'female',
+    birthDate: '1970-01-01'
+  },
+  {
+    resourceType: 'Immunization',
+    id: 'example-1',
+    status: 'completed',
+    vaccineCode: {
+      coding: [{ system: 'http://hl7.org/fhir/sid/cvx', code: '207', display: 'COVID-19, mRNA, LNP-S, PF, 100 mcg/0.5 mL dose' }]
+    },
+    patient: { reference: 'Patient/example' },
+    occurrenceDateTime: '2021-01-01'
+  },
+  {
+    resourceType: 'AllergyIntolerance',
+    id: 'example-1',
+    clinicalStatus: {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', code: 'active' }]
+    },
+    code: { text: 'Penicillin' },
+    patient: { reference: 'Patient/example' }
+  }
+];
+
+/**
+ * Set up the endpoint
+ *
+ * @param {object} options
+ * @param {function(string, function(Error, object))} options.validateToken - Looks up an access token;
+ *   calls back with {aud, scope} for a live token, or null
+ * @param {function(object): string} options.getBaseUrl - The server's base URL for a request
+ */
+function initializeDemoFhir(options) {
+  tokenValidator = options.validateToken;
+  baseUrlResolver = options.getBaseUrl;
+}
+
+function operationOutcome(code, diagnostics) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code: code, diagnostics: diagnostics }]
+  };
+}
+
+/**
+ * Check whether granted SMART scopes allow an interaction on a resource type
+ *
+ * @param {string} scope - Space separated SMART scopes
+ * @param {string} resourceType - The resource type requested
+ * @param {string} interaction - 'r' to read a resource, 's' to search
+ * @returns {boolean} true if a scope allows it
+ */
+function scopeAllows(scope, resourceType, interaction) {
+  return String(scope || '').split(/\s+/).some((s) => {
+    const match = /^(patient|user|system)\/(\*|[A-Za-z]+)\.(.+)$/.exec(s);
+    if (!match || (match[2] !== '*' && match[2] !== resourceType)) {
+      return false;
+    }
+    const permission = match[3];
+    return permission === 'read' || permission === '*' || (/^c?r?u?d?s?$/.test(permission) && permission.includes(interaction));
+  });
+}
+
+// The aud of a token has to be this endpoint
+function endpointUrl(req) {
+  return baseUrlResolver(req) + req.baseUrl;
+}
+
+// Every request except metadata needs a Bearer token issued for this endpoint
+function requireToken(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json(operationOutcome('login', 'A Bearer access token is required'));
+  }
+
+  tokenValidator(match[1], (err, token) => {
+    if (err) {
+      return res.status(500).json(operationOutcome('exception', 'Failed to check the access token'));
+    }
+
+    if (!token || token.aud.replace(/\/+$/, '') !== endpointUrl(req)) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json(operationOutcome('login', 'The access token is not valid for this endpoint'));
+    }
+
+    req.accessToken = token;
+    next();
+  });
+}
+
+// The capability statement is public, so clients can discover the endpoint
+router.get('/metadata', (req, res) => {
+  const types = [...new Set(RESOURCES.map(resource => resource.resourceType))];
+  res.type('application/fhir+json').json({
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: '2024-01-01',
+    kind: 'instance',
+    fhirVersion: '4.0.1',
+    format: ['json'],
+    implementation: {
+      description: 'Demo FHIR endpoint for SHL smart-api-access entries',
+      url: endpointUrl(req)
+    },
+    rest: [{
+      mode: 'server',
+      resource: types.map(type => ({
+        type: type,
+        interaction: [{ code: 'read' }, { code: 'search-type' }]
+      }))
+    }]
+  });
+});
+
+router.get('/:resourceType', requireToken, (req, res) => {
+  const { resourceType } = req.params;
+
+  if (!scopeAllows(req.accessToken.scope, resourceType, 's')) {
+    return res.status(403).json(operationOutcome('forbidden', `The token's scopes do not allow searching ${resourceType}`));
+  }
+
+  const matches = RESOURCES.filter(resource => resource.resourceType === resourceType);
+  res.type('application/fhir+json').json({
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: matches.length,
+    entry: matches.map(resource => ({
+      fullUrl: `${endpointUrl(req)}/${resource.resourceType}/${resource.id}`,
+      resource: resource,
+      search: { mode: 'match' }
+    }))
+  });
+});
+
+router.get('/:resourceType/:id', requireToken, (req, res) => {
+  const { resourceType, id } = req.params;
+
+  if (!scopeAllows(req.accessToken.scope, resourceType, 'r')) {
+    return res.status(403).json(operationOutcome('forbidden', `The token's scopes do not allow reading ${resourceType}`));
+  }
+
+  const resource = RESOURCES.find(r => r.resourceType === resourceType && r.id === id);
+  if (!resource) {
+    return res.status(404).json(operationOutcome('not-found', `${resourceType}/${id} not found`));
+  }
+
+  res.type('application/fhir+json').json(resource);
+});
+
+module.exports = {
+  router,
+  initializeDemoFhir,
+  scopeAllows
+};
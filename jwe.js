@@ -0,0 +1,167 @@
+/**
+ * JWE Module
+ *
+ * Compact JWE serialization as used by SMART Health Links: direct encryption
+ * ("alg": "dir") with AES-256-GCM ("enc": "A256GCM") using the 32 byte key
+ * that is shared with the recipient in the SHLink payload.
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+/**
+ * Decode an SHLink key and check that it is a 256 bit key
+ *
+ * @param {string} key - The key as a base64url string (43 characters)
+ * @returns {Buffer} The raw key bytes
+ */
+function decodeKey(key) {
+  if (typeof key !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(key)) {
+    throw new Error('key must be 32 bytes encoded as base64url');
+  }
+  return Buffer.from(key, 'base64url');
+}
+
+/**
+ * Start a direct AES-256-GCM encryption, with the encoded protected header as the additional authenticated data
+ *
+ * @param {string} key - The SHLink key as a base64url string
+ * @param {string} contentType - The content type, carried in the "cty" header
+ * @returns {{protectedHeader: string, iv: Buffer, cipher: crypto.CipherGCM}}
+ */
+function startEncryption(key, contentType) {
+  const rawKey = decodeKey(key);
+
+  const header = { alg: 'dir', enc: 'A256GCM' };
+  if (contentType) {
+    header.cty = contentType;
+  }
+  const protectedHeader = Buffer.from(JSON.stringify(header), 'utf8').toString('base64url');
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', rawKey, iv);
+  cipher.setAAD(Buffer.from(protectedHeader, 'ascii'));
+
+  return { protectedHeader, iv, cipher };
+}
+
+/**
+ * Encrypt content into a compact JWE
+ *
+ * @param {Buffer|string} plaintext - The content to encrypt
+ * @param {string} key - The SHLink key as a base64url string
+ * @param {string} contentType - The content type, carried in the "cty" header
+ * @returns {string} The compact JWE (header..iv.ciphertext.tag)
+ */
+function encryptJWE(plaintext, key, contentType) {
+  const { protectedHeader, iv, cipher } = startEncryption(key, contentType);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  // No encrypted key for direct encryption, hence the empty second part
+  return [
+    protectedHeader,
+    '',
+    iv.toString('base64url'),
+    ciphertext.toString('base64url'),
+    cipher.getAuthTag().toString('base64url')
+  ].join('.');
+}
+
+/**
+ * Create a stream that encrypts the content written to it, and gives out the compact JWE text as it goes -
+ * the same JWE encryptJWE makes, without holding the content or the ciphertext
+ *
+ * @param {string} key - The SHLink key as a base64url string
+ * @param {string} contentType - The content type, carried in the "cty" header
+ * @returns {Transform} Write the plaintext to it, and read the compact JWE from it
+ */
+function createJWEEncryptor(key, contentType) {
+  const { protectedHeader, iv, cipher } = startEncryption(key, contentType);
+
+  // Ciphertext is encoded in groups of 3 bytes, so the pieces join up into the base64url of the whole
+  let pending = Buffer.alloc(0);
+
+  const encode = (ciphertext) => {
+    pending = Buffer.concat([pending, ciphertext]);
+    const whole = pending.length - (pending.length % 3);
+    const encoded = pending.subarray(0, whole).toString('base64url');
+    pending = pending.subarray(whole);
+    return encoded;
+  };
+
+  let started = false;
+  const prefix = () => {
+    if (started) {
+      return '';
+    }
+    started = true;
+    return `${protectedHeader}..${iv.toString('base64url')}.`;
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, prefix() + encode(cipher.update(chunk)));
+    },
+
+    flush(callback) {
+      const rest = prefix() + encode(cipher.final()) + pending.toString('base64url');
+      callback(null, `${rest}.${cipher.getAuthTag().toString('base64url')}`);
+    }
+  });
+}
+
+/**
+ * Decrypt a compact JWE made by encryptJWE or createJWEEncryptor
+ *
+ * @param {string} jwe - The compact JWE
+ * @param {string} key - The key as a base64url string
+ * @returns {Buffer} The plaintext
+ */
+function decryptJWE(jwe, key) {
+  const parts = String(jwe).split('.');
+  if (parts.length !== 5) {
+    throw new Error('Not a compact JWE');
+  }
+
+  const [protectedHeader, , iv, ciphertext, tag] = parts;
+  const decipher = crypto.createDecipheriv('aes-256-gcm', decodeKey(key), Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(protectedHeader, 'ascii'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]);
+}
+
+/**
+ * Hash a key so the server can check it later without keeping the key itself
+ *
+ * @param {string} key - The SHLink key as a base64url string
+ * @returns {string} The SHA-256 hash of the raw key, base64url encoded
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(decodeKey(key)).digest('base64url');
+}
+
+/**
+ * Check a key against a hash made by hashKey
+ *
+ * @param {string} key - The SHLink key as a base64url string
+ * @param {string} keyHash - The stored hash
+ * @returns {boolean} true if the key matches
+ */
+function keyMatchesHash(key, keyHash) {
+  const expected = Buffer.from(keyHash, 'base64url');
+  const actual = Buffer.from(hashKey(key), 'base64url');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  decodeKey,
+  createJWEEncryptor,
+  encryptJWE,
+  decryptJWE,
+  hashKey,
+  keyMatchesHash
+};
@@ -0,0 +1,195 @@
+/**
+ * JWT Module
+ *
+ * Compact JWS signing and verification for the OAuth token endpoint: access
+ * tokens the server signs with its own key, and private_key_jwt client
+ * assertions (SMART Backend Services) signed with keys from the JWKS a client
+ * registered with the server. ECDSA signatures are the raw r||s form JWS uses.
+ */
+
+const crypto = require('crypto');
+
+// Supported JWS algorithms, with their hash and key type
+const JWS_ALGORITHMS = {
+  ES256: { hash: 'sha256', kty: 'EC', crv: 'P-256' },
+  ES384: { hash: 'sha384', kty: 'EC', crv: 'P-384' },
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' }
+};
+
+// Allowance for clocks that are a little out when checking exp, nbf and iat
+const CLOCK_SKEW_SECONDS = 60;
+
+function encodePart(value) {
+  return Buffer.from(JSON.stringify(value), 'utf8').toString('base64url');
+}
+
+/**
+ * The JWS algorithm for a key
+ *
+ * @param {crypto.KeyObject} key - An EC (P-256 or P-384) or RSA key
+ * @returns {string} The algorithm name, e.g. ES256
+ */
+function algorithmForKey(key) {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  const curve = key.asymmetricKeyDetails ? key.asymmetricKeyDetails.namedCurve : null;
+  if (curve === 'prime256v1') {
+    return 'ES256';
+  }
+  if (curve === 'secp384r1') {
+    return 'ES384';
+  }
+  throw new Error('Signing key must be an RSA key or an EC key on P-256 or P-384');
+}
+
+/**
+ * Sign claims as a compact JWS
+ *
+ * @param {object} claims - The JWT claims
+ * @param {crypto.KeyObject} privateKey - The signing key
+ * @param {object} [header] - Extra header fields, such as kid and typ
+ * @returns {string} The compact JWT
+ */
+function signJWT(claims, privateKey, header) {
+  const alg = algorithmForKey(privateKey);
+  const signingInput = `${encodePart({ ...header, alg: alg })}.${encodePart(claims)}`;
+  const signature = crypto.sign(JWS_ALGORITHMS[alg].hash, Buffer.from(signingInput, 'ascii'), {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Split a compact JWT into its header and claims, without checking the signature
+ *
+ * @param {string} token - The compact JWT
+ * @returns {{header: object, claims: object, signingInput: string, signature: Buffer}}
+ */
+function decodeJWT(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('JWT must have three parts');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new Error('JWT header and claims must be base64url encoded JSON');
+  }
+  if (!header || typeof header !== 'object' || !claims || typeof claims !== 'object') {
+    throw new Error('JWT header and claims must be JSON objects');
+  }
+
+  return {
+    header: header,
+    claims: claims,
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: Buffer.from(parts[2], 'base64url')
+  };
+}
+
+/**
+ * Check the signature of a decoded JWT. The algorithm in the header has to be
+ * one of the supported ones and fit the key, so a token can't pick a weaker one
+ *
+ * @param {object} decoded - The result of decodeJWT
+ * @param {crypto.KeyObject|object} publicKey - A public KeyObject or a public JWK
+ * @returns {boolean} Whether the signature is good
+ */
+function verifyJWTSignature(decoded, publicKey) {
+  const algorithm = JWS_ALGORITHMS[decoded.header.alg];
+  if (!algorithm) {
+    return false;
+  }
+
+  let key;
+  try {
+    key = publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey({ key: publicKey, format: 'jwk' });
+  } catch (err) {
+    return false;
+  }
+
+  const keyType = key.asymmetricKeyType === 'rsa' ? 'RSA' : 'EC';
+  const curve = key.asymmetricKeyDetails ? key.asymmetricKeyDetails.namedCurve : null;
+  const curveNames = { 'P-256': 'prime256v1', 'P-384': 'secp384r1' };
+  if (keyType !== algorithm.kty || (algorithm.crv && curveNames[algorithm.crv] !== curve)) {
+    return false;
+  }
+
+  try {
+    return crypto.verify(algorithm.hash, Buffer.from(decoded.signingInput, 'ascii'), {
+      key: key,
+      dsaEncoding: 'ieee-p1363'
+    }, decoded.signature);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Check the time claims of a JWT: exp is required, nbf and iat are checked when present
+ *
+ * @param {object} claims - The JWT claims
+ * @param {number} [now] - The current time in seconds since the epoch
+ * @returns {string|null} What is wrong, or null
+ */
+function checkJWTTimes(claims, now) {
+  const current = now || Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') {
+    return 'exp is required';
+  }
+  if (claims.exp + CLOCK_SKEW_SECONDS < current) {
+    return 'the token has expired';
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > current) {
+    return 'the token is not valid yet';
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > current) {
+    return 'the token was issued in the future';
+  }
+  return null;
+}
+
+/**
+ * Check a client's registered JWKS: public EC or RSA keys, each with a kid
+ *
+ * @param {object} jwks - The JWKS ({keys: [...]})
+ * @returns {string|null} What is wrong, or null
+ */
+function checkClientJWKS(jwks) {
+  if (!jwks || typeof jwks !== 'object' || !Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+    return 'jwks must be a JWKS with a non-empty keys array';
+  }
+
+  for (const [i, jwk] of jwks.keys.entries()) {
+    if (!jwk || typeof jwk.kid !== 'string' || jwk.kid.length === 0) {
+      return `jwks.keys[${i}] must have a kid`;
+    }
+    if (jwk.d !== undefined || jwk.p !== undefined) {
+      return `jwks.keys[${i}] is a private key - register public keys only`;
+    }
+    if (jwk.kty !== 'EC' && jwk.kty !== 'RSA') {
+      return `jwks.keys[${i}] must be an EC or RSA key`;
+    }
+    try {
+      crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch (err) {
+      return `jwks.keys[${i}] is not a valid key: ${err.message}`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  signJWT,
+  decodeJWT,
+  verifyJWTSignature,
+  checkJWTTimes,
+  checkClientJWKS
+};
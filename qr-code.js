@@ -0,0 +1,572 @@
+/**
+ * QR Code Module
+ *
+ * A self contained QR code encoder (ISO/IEC 18004) so that links can be rendered
+ * without calling out to another service. Supports byte and alphanumeric mode,
+ * versions 1 to 40, all four error correction levels, and renders to PNG or SVG.
+ */
+
+const zlib = require('zlib');
+
+// Error correction levels: format bits and table index
+const ECC_LEVELS = {
+  L: { formatBits: 1, index: 0 },
+  M: { formatBits: 0, index: 1 },
+  Q: { formatBits: 3, index: 2 },
+  H: { formatBits: 2, index: 3 }
+};
+
+// Error correction codewords per block, by level then version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Number of error correction blocks, by level then version (index 0 unused)
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Appends the low 'length' bits of value to the bit buffer, most significant first
+function appendBits(buffer, value, length) {
+  for (let i = length - 1; i >= 0; i--) {
+    buffer.push((value >>> i) & 1);
+  }
+}
+
+function getBit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
+
+// Number of modules available for data and error correction in a version
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function getNumDataCodewords(version, ecl) {
+  return Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[ecl.index][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.index][version];
+}
+
+// Build the data segment: alphanumeric mode when every character allows it, otherwise byte mode
+function makeSegment(text) {
+  const bits = [];
+
+  if ([...text].every(c => ALPHANUMERIC_CHARSET.includes(c))) {
+    let i;
+    for (i = 0; i + 2 <= text.length; i += 2) {
+      appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(text[i]) * 45 + ALPHANUMERIC_CHARSET.indexOf(text[i + 1]), 11);
+    }
+    if (i < text.length) {
+      appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(text[i]), 6);
+    }
+    return { modeBits: 0x2, charCountBits: [9, 11, 13], numChars: text.length, bits };
+  }
+
+  const bytes = Buffer.from(text, 'utf8');
+  for (const b of bytes) {
+    appendBits(bits, b, 8);
+  }
+  return { modeBits: 0x4, charCountBits: [8, 16, 16], numChars: bytes.length, bits };
+}
+
+function charCountBitsFor(segment, version) {
+  return segment.charCountBits[version <= 9 ? 0 : (version <= 26 ? 1 : 2)];
+}
+
+// Galois field multiplication modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+// Split the data into blocks, add error correction to each and interleave them
+function addEccAndInterleave(data, version, ecl) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.index][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.index][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = reedSolomonRemainder(dat, divisor);
+    if (i < numShortBlocks) {
+      dat.push(0);
+    }
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte of the short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+function getAlignmentPatternPositions(version, size) {
+  if (version === 1) {
+    return [];
+  }
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+// Module grid under construction, tracking which modules belong to function patterns
+class QRMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const size = this.size;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns (these overwrite some timing modules)
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(size - 4, 3);
+    this.drawFinderPattern(3, size - 4);
+
+    // Alignment patterns, except where they would overlap the finder patterns
+    const positions = getAlignmentPatternPositions(this.version, size);
+    const last = positions.length - 1;
+    positions.forEach((y, i) => {
+      positions.forEach((x, j) => {
+        if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+          this.drawAlignmentPattern(x, y);
+        }
+      });
+    });
+
+    // Reserve the format areas (real bits are drawn after masking) and draw the version
+    this.drawFormatBits(ECC_LEVELS.L, 0);
+    this.drawVersion();
+  }
+
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunctionModule(xx, yy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(ecl, mask) {
+    const data = (ecl.formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) {
+      rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const size = this.size;
+
+    // First copy, around the top left finder
+    for (let i = 0; i <= 5; i++) {
+      this.setFunctionModule(8, i, getBit(bits, i));
+    }
+    this.setFunctionModule(8, 7, getBit(bits, 6));
+    this.setFunctionModule(8, 8, getBit(bits, 7));
+    this.setFunctionModule(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunctionModule(14 - i, 8, getBit(bits, i));
+    }
+
+    // Second copy, split between the other two finders
+    for (let i = 0; i < 8; i++) {
+      this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+    }
+    this.setFunctionModule(8, size - 8, true); // Always dark
+  }
+
+  drawVersion() {
+    if (this.version < 7) {
+      return;
+    }
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) {
+      rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    }
+    const bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const bit = getBit(bits, i);
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, bit);
+      this.setFunctionModule(b, a, bit);
+    }
+  }
+
+  // Place the codewords in the zigzag order, skipping function modules
+  drawCodewords(codewords) {
+    const size = this.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5; // Skip the vertical timing pattern
+      }
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // XOR the mask pattern onto the data modules - applying the same mask twice undoes it
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        let invert;
+        switch (mask) {
+          case 0: invert = (x + y) % 2 === 0; break;
+          case 1: invert = y % 2 === 0; break;
+          case 2: invert = x % 3 === 0; break;
+          case 3: invert = (x + y) % 3 === 0; break;
+          case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+          case 5: invert = x * y % 2 + x * y % 3 === 0; break;
+          case 6: invert = (x * y % 2 + x * y % 3) % 2 === 0; break;
+          default: invert = ((x + y) % 2 + x * y % 3) % 2 === 0; break;
+        }
+        if (!this.isFunction[y][x] && invert) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Penalty score of the current modules, used to pick the mask
+  getPenaltyScore() {
+    const size = this.size;
+    const m = this.modules;
+    let result = 0;
+
+    const finderLike = [true, false, true, true, true, false, true, false, false, false, false];
+    const finderLikeReversed = finderLike.slice().reverse();
+    const matches = (line, start, pattern) => pattern.every((v, k) => line[start + k] === v);
+
+    const lines = [];
+    for (let y = 0; y < size; y++) {
+      lines.push(m[y]);
+    }
+    for (let x = 0; x < size; x++) {
+      lines.push(m.map(row => row[x]));
+    }
+
+    lines.forEach(line => {
+      // Runs of five or more modules of the same colour
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          runLength++;
+        } else {
+          if (runLength >= 5) {
+            result += 3 + (runLength - 5);
+          }
+          runLength = 1;
+        }
+      }
+
+      // Patterns that look like a finder
+      for (let i = 0; i + finderLike.length <= size; i++) {
+        if (matches(line, i, finderLike) || matches(line, i, finderLikeReversed)) {
+          result += 40;
+        }
+      }
+    });
+
+    // 2x2 blocks of the same colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const c = m[y][x];
+        if (c === m[y][x + 1] && c === m[y + 1][x] && c === m[y + 1][x + 1]) {
+          result += 3;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    let dark = 0;
+    m.forEach(row => row.forEach(c => { if (c) dark++; }));
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    result += k * 10;
+
+    return result;
+  }
+}
+
+/**
+ * Encode text as a QR code, using the smallest version that fits
+ *
+ * @param {string} text - The text to encode
+ * @param {string} [eccLevel='M'] - Error correction level: L, M, Q or H
+ * @returns {{version: number, size: number, modules: boolean[][]}} The QR code (modules[y][x], true is dark)
+ */
+function encodeText(text, eccLevel = 'M') {
+  const ecl = ECC_LEVELS[String(eccLevel).toUpperCase()];
+  if (!ecl) {
+    throw new Error('Error correction level must be one of L, M, Q or H');
+  }
+
+  const segment = makeSegment(text);
+
+  // Find the smallest version that holds the data
+  let version;
+  let dataCapacityBits;
+  for (version = 1; version <= 40; version++) {
+    dataCapacityBits = getNumDataCodewords(version, ecl) * 8;
+    const usedBits = 4 + charCountBitsFor(segment, version) + segment.bits.length;
+    if (segment.numChars < (1 << charCountBitsFor(segment, version)) && usedBits <= dataCapacityBits) {
+      break;
+    }
+  }
+  if (version > 40) {
+    throw new Error('Data too long for a QR code');
+  }
+
+  const bits = [];
+  appendBits(bits, segment.modeBits, 4);
+  appendBits(bits, segment.numChars, charCountBitsFor(segment, version));
+  bits.push(...segment.bits);
+
+  // Terminator, padding to a byte boundary, then the alternating pad bytes
+  appendBits(bits, 0, Math.min(4, dataCapacityBits - bits.length));
+  appendBits(bits, 0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < dataCapacityBits; pad ^= 0xEC ^ 0x11) {
+    appendBits(bits, pad, 8);
+  }
+
+  const dataCodewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    dataCodewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  }
+
+  const matrix = new QRMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addEccAndInterleave(dataCodewords, version, ecl));
+
+  // Try every mask and keep the one with the lowest penalty
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(ecl, mask);
+    const penalty = matrix.getPenaltyScore();
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    matrix.applyMask(mask);
+  }
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(ecl, bestMask);
+
+  return {
+    version: version,
+    size: matrix.size,
+    modules: matrix.modules
+  };
+}
+
+/**
+ * Render a QR code as an SVG document
+ *
+ * @param {object} qr - The QR code from encodeText
+ * @param {object} [options]
+ * @param {number} [options.size=400] - Width and height of the image in pixels
+ * @param {number} [options.margin=4] - Quiet zone around the code, in modules
+ * @returns {string} The SVG document
+ */
+function toSVG(qr, options = {}) {
+  const size = options.size || 400;
+  const margin = options.margin !== undefined ? options.margin : 4;
+  const dimension = qr.size + margin * 2;
+
+  const parts = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      }
+    });
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">\n` +
+    '<rect width="100%" height="100%" fill="#FFFFFF"/>\n' +
+    `<path d="${parts.join('')}" fill="#000000"/>\n` +
+    '</svg>\n';
+}
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const b of buffer) {
+    crc = CRC_TABLE[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Render a QR code as a greyscale PNG image
+ *
+ * @param {object} qr - The QR code from encodeText
+ * @param {object} [options]
+ * @param {number} [options.size=400] - Approximate width and height in pixels (rounded down to whole modules)
+ * @param {number} [options.margin=4] - Quiet zone around the code, in modules
+ * @returns {Buffer} The PNG image
+ */
+function toPNG(qr, options = {}) {
+  const margin = options.margin !== undefined ? options.margin : 4;
+  const dimension = qr.size + margin * 2;
+  const scale = Math.max(1, Math.floor((options.size || 400) / dimension));
+  const pixels = dimension * scale;
+
+  // One filter byte (none) followed by one byte per pixel for each row
+  const raw = Buffer.alloc((pixels + 1) * pixels, 0xFF);
+  for (let py = 0; py < pixels; py++) {
+    const rowStart = py * (pixels + 1);
+    raw[rowStart] = 0;
+    const y = Math.floor(py / scale) - margin;
+    for (let px = 0; px < pixels; px++) {
+      const x = Math.floor(px / scale) - margin;
+      if (y >= 0 && y < qr.size && x >= 0 && x < qr.size && qr.modules[y][x]) {
+        raw[rowStart + 1 + px] = 0;
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(pixels, 0);
+  header.writeUInt32BE(pixels, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 0;  // colour type: greyscale
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // no interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  encodeText,
+  toSVG,
+  toPNG
+};
@@ -0,0 +1,204 @@
+/**
+ * SMART Health Card Verification Module
+ *
+ * Checks the verifiable credentials in an application/smart-health-card file:
+ * each credential is a compact JWS with a raw-deflated payload, signed ES256 by
+ * its issuer. Issuer keys come from a local trust store - an object mapping the
+ * issuer URL (iss) to that issuer's JWKS - so nothing is fetched from the network.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// The VC type every SMART Health Card carries
+const HEALTH_CARD_TYPE = 'https://smarthealth.cards#health-card';
+
+// Allowance for issuers whose clock runs a little ahead when checking nbf
+const CLOCK_SKEW_SECONDS = 60;
+
+function isJSONObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function decodeJSON(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+/**
+ * Find the key for an issuer and kid in a trust store
+ *
+ * @param {object} trustStore - Issuer URL to JWKS ({keys: [...]})
+ * @param {string} issuer - The iss of the credential
+ * @param {string} kid - The kid from the JWS header
+ * @returns {object|null} The JWK, or null if the issuer or key is not trusted
+ */
+function findIssuerKey(trustStore, issuer, kid) {
+  const jwks = trustStore[issuer] || trustStore[issuer.replace(/\/+$/, '')];
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    return null;
+  }
+  return jwks.keys.find(key => key.kid === kid) || null;
+}
+
+// Check the FHIR bundle of a health card: a collection whose entries use resource:N references
+function checkFhirBundle(bundle, errors) {
+  if (!bundle || bundle.resourceType !== 'Bundle') {
+    errors.push('credentialSubject.fhirBundle must be a FHIR Bundle');
+    return;
+  }
+  if (bundle.type !== 'collection') {
+    errors.push('fhirBundle.type must be collection');
+  }
+  if (!Array.isArray(bundle.entry) || bundle.entry.length === 0) {
+    errors.push('fhirBundle must have at least one entry');
+    return;
+  }
+  bundle.entry.forEach((entry, i) => {
+    if (!entry || typeof entry.fullUrl !== 'string' || !/^resource:\d+$/.test(entry.fullUrl)) {
+      errors.push(`fhirBundle.entry[${i}].fullUrl must be resource:<n>`);
+    }
+    if (!entry || !entry.resource || typeof entry.resource.resourceType !== 'string') {
+      errors.push(`fhirBundle.entry[${i}].resource must be a FHIR resource`);
+    }
+  });
+}
+
+/**
+ * Verify one verifiable credential (compact JWS)
+ *
+ * @param {string} jws - The compact JWS
+ * @param {object} trustStore - Issuer URL to JWKS
+ * @param {number} now - The current time in seconds
+ * @returns {{status: string, issuer: (string|null), kid: (string|null), errors: string[]}}
+ *   status is verified, untrusted (issuer or key not in the trust store) or invalid
+ */
+function verifyCredential(jws, trustStore, now) {
+  const result = { status: 'invalid', issuer: null, kid: null, errors: [] };
+  const parts = String(jws).split('.');
+  if (parts.length !== 3) {
+    result.errors.push('credential is not a compact JWS');
+    return result;
+  }
+
+  let header, payload;
+  try {
+    header = decodeJSON(parts[0]);
+  } catch (err) {
+    result.errors.push('JWS header is not valid JSON');
+    return result;
+  }
+  if (!isJSONObject(header)) {
+    result.errors.push('JWS header must be a JSON object');
+    return result;
+  }
+
+  if (header.alg !== 'ES256') {
+    result.errors.push(`JWS alg must be ES256, not ${header.alg}`);
+  }
+  if (header.zip !== 'DEF') {
+    result.errors.push('JWS zip must be DEF');
+  }
+  result.kid = typeof header.kid === 'string' ? header.kid : null;
+  if (!result.kid) {
+    result.errors.push('JWS header has no kid');
+  }
+
+  try {
+    payload = JSON.parse(zlib.inflateRawSync(Buffer.from(parts[1], 'base64url')).toString('utf8'));
+  } catch (err) {
+    result.errors.push('JWS payload could not be inflated to JSON');
+    return result;
+  }
+  if (!isJSONObject(payload)) {
+    result.errors.push('JWS payload must be a JSON object');
+    return result;
+  }
+
+  result.issuer = typeof payload.iss === 'string' ? payload.iss : null;
+  if (!result.issuer) {
+    result.errors.push('payload has no iss');
+  }
+
+  if (typeof payload.nbf !== 'number') {
+    result.errors.push('payload has no nbf');
+  } else if (payload.nbf > now + CLOCK_SKEW_SECONDS) {
+    result.errors.push('credential is not valid yet (nbf is in the future)');
+  }
+  if (typeof payload.exp === 'number' && payload.exp < now) {
+    result.errors.push('credential has expired');
+  }
+
+  const vc = isJSONObject(payload.vc) ? payload.vc : {};
+  if (!Array.isArray(vc.type) || !vc.type.includes(HEALTH_CARD_TYPE)) {
+    result.errors.push(`vc.type must include ${HEALTH_CARD_TYPE}`);
+  }
+  checkFhirBundle(vc.credentialSubject && vc.credentialSubject.fhirBundle, result.errors);
+
+  if (result.errors.length > 0) {
+    return result;
+  }
+
+  const jwk = findIssuerKey(trustStore, result.issuer, result.kid);
+  if (!jwk) {
+    result.status = 'untrusted';
+    return result;
+  }
+
+  let valid = false;
+  try {
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    valid = crypto.verify('sha256', Buffer.from(parts[0] + '.' + parts[1], 'ascii'),
+      { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(parts[2], 'base64url'));
+  } catch (err) {
+    result.errors.push(`issuer key could not be used: ${err.message}`);
+    return result;
+  }
+
+  if (!valid) {
+    result.errors.push('signature does not match the issuer key');
+    return result;
+  }
+
+  result.status = 'verified';
+  return result;
+}
+
+/**
+ * Verify the credentials in an application/smart-health-card file
+ *
+ * @param {Buffer} content - The file content ({"verifiableCredential": [...]})
+ * @param {object} trustStore - Issuer URL to JWKS
+ * @returns {{status: string, checkedAt: string, credentials: object[]}} status is verified if every
+ *   credential is, invalid if any credential is, and otherwise unverified (an issuer is not trusted)
+ */
+function verifySmartHealthCard(content, trustStore) {
+  const now = Math.floor(Date.now() / 1000);
+  let credentials = [];
+  try {
+    const card = JSON.parse(content.toString('utf8'));
+    if (isJSONObject(card) && Array.isArray(card.verifiableCredential)) {
+      credentials = card.verifiableCredential;
+    }
+  } catch (err) {
+    // Leaves no credentials, which is reported as invalid below
+  }
+
+  const results = credentials.map(jws => verifyCredential(jws, trustStore || {}, now));
+
+  let status = 'verified';
+  if (results.length === 0 || results.some(r => r.status === 'invalid')) {
+    status = 'invalid';
+  } else if (results.some(r => r.status === 'untrusted')) {
+    status = 'unverified';
+  }
+
+  return {
+    status: status,
+    checkedAt: new Date().toISOString(),
+    credentials: results
+  };
+}
+
+module.exports = {
+  verifySmartHealthCard
+};
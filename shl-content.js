@@ -0,0 +1,147 @@
+/**
+ * SHL Content Module
+ *
+ * The content types a SMART Health Link can carry, and the checks that the
+ * content of an uploaded file really is what its declared type says.
+ */
+
+// The file types allowed by the SHL spec
+const SHL_CONTENT_TYPES = [
+  'application/smart-health-card',
+  'application/fhir+json',
+  'application/smart-api-access'
+];
+
+// Token lifetimes (seconds) a holder can ask for on an API access entry whose tokens the server mints
+const API_ACCESS_MIN_SECONDS = 60;
+const API_ACCESS_MAX_SECONDS = 86400;
+
+// SMART scopes, e.g. patient/*.read, patient/Observation.rs or user/Patient.read
+const SMART_SCOPE = /^(patient|user|system)\/(\*|[A-Z][A-Za-z]*)\.(read|write|\*|c?r?u?d?s?)$/;
+
+/**
+ * Normalise a declared content type - parameters such as charset are dropped
+ *
+ * @param {string} type - The content type as supplied by the client
+ * @returns {string} The bare, lower case media type
+ */
+function normalizeContentType(type) {
+  return String(type || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Check whether a content type can be stored on an SHL
+ *
+ * @param {string} type - A normalised content type
+ * @returns {boolean} true if the type is one of SHL_CONTENT_TYPES
+ */
+function isSHLContentType(type) {
+  return SHL_CONTENT_TYPES.includes(type);
+}
+
+// A compact JWS is three base64url parts separated by dots
+function isCompactJWS(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(value);
+}
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\/\S+$/.test(value);
+}
+
+/**
+ * Check a space separated list of SMART scopes
+ *
+ * @param {string} scope - The scopes
+ * @returns {boolean} true if there is at least one scope and all are valid
+ */
+function isSmartScope(scope) {
+  if (typeof scope !== 'string' || scope.trim().length === 0) {
+    return false;
+  }
+  return scope.trim().split(/\s+/).every(s => SMART_SCOPE.test(s) && !s.endsWith('.'));
+}
+
+/**
+ * Get the token settings of an API access entry the server mints tokens for - one uploaded
+ * without an access_token. Call after checkSHLContent has accepted the content
+ *
+ * @param {Buffer} content - The plaintext application/smart-api-access content
+ * @returns {{aud: string, scope: string, expires_in: number}|null} The settings, or null if the
+ *   entry carries its own access_token
+ */
+function readAPIAccessTemplate(content) {
+  const json = JSON.parse(content.toString('utf8'));
+  if (json.access_token !== undefined) {
+    return null;
+  }
+  return {
+    aud: json.aud,
+    scope: json.scope.trim().split(/\s+/).join(' '),
+    expires_in: json.expires_in || 3600
+  };
+}
+
+/**
+ * Check that file content matches its declared type
+ *
+ * @param {string} type - A normalised content type from SHL_CONTENT_TYPES
+ * @param {Buffer} content - The plaintext file content
+ * @returns {string|null} A description of the problem, or null if the content matches
+ */
+function checkSHLContent(type, content) {
+  let json;
+  try {
+    json = JSON.parse(content.toString('utf8'));
+  } catch (err) {
+    return `${type} content must be JSON`;
+  }
+
+  if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+    return `${type} content must be a JSON object`;
+  }
+
+  switch (type) {
+    case 'application/smart-health-card':
+      if (!Array.isArray(json.verifiableCredential) || json.verifiableCredential.length === 0 ||
+        !json.verifiableCredential.every(isCompactJWS)) {
+        return 'application/smart-health-card content must have a verifiableCredential array of compact JWS strings';
+      }
+      return null;
+
+    case 'application/fhir+json':
+      if (typeof json.resourceType !== 'string' || json.resourceType.length === 0) {
+        return 'application/fhir+json content must be a FHIR resource with a resourceType';
+      }
+      return null;
+
+    case 'application/smart-api-access':
+      if (!isHttpUrl(json.aud)) {
+        return 'application/smart-api-access content must have aud, the URL of the FHIR endpoint';
+      }
+      if (json.access_token !== undefined) {
+        return typeof json.access_token === 'string' && json.access_token.length > 0 ? null :
+          'application/smart-api-access access_token must be a non-empty string';
+      }
+      // Without an access_token the server mints one for every manifest, with these settings
+      if (!isSmartScope(json.scope)) {
+        return 'application/smart-api-access content without an access_token must have scope, a list of SMART scopes such as patient/*.read';
+      }
+      if (json.expires_in !== undefined && (!Number.isInteger(json.expires_in) ||
+        json.expires_in < API_ACCESS_MIN_SECONDS || json.expires_in > API_ACCESS_MAX_SECONDS)) {
+        return `application/smart-api-access expires_in must be a number of seconds from ${API_ACCESS_MIN_SECONDS} to ${API_ACCESS_MAX_SECONDS}`;
+      }
+      return null;
+
+    default:
+      return `${type} is not an SHL content type`;
+  }
+}
+
+module.exports = {
+  SHL_CONTENT_TYPES,
+  normalizeContentType,
+  isSHLContentType,
+  checkSHLContent,
+  isSmartScope,
+  readAPIAccessTemplate
+};
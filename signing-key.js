@@ -0,0 +1,95 @@
+/**
+ * Signing Key Module
+ *
+ * Checks for the server's signing certificate and private key (config
+ * cert_pem and key_pem), which sign VHLs as COSE ES256 and the access tokens
+ * of the OAuth token endpoint. The kid is derived from the certificate the
+ * way EU DCC and WHO signer certificates do it: the first 8 bytes of the
+ * SHA-256 thumbprint of the DER certificate, base64 encoded.
+ */
+
+const crypto = require('crypto');
+
+// COSE signing is ES256 only, so the key has to be on P-256
+const SIGNING_CURVE = 'prime256v1';
+
+/**
+ * The kid for a certificate
+ *
+ * @param {crypto.X509Certificate|string} certificate - The certificate, or its PEM
+ * @returns {string} The base64 encoded first 8 bytes of the SHA-256 thumbprint
+ */
+function certificateKid(certificate) {
+  const x509 = certificate instanceof crypto.X509Certificate ? certificate : new crypto.X509Certificate(certificate);
+  return crypto.createHash('sha256').update(x509.raw).digest().subarray(0, 8).toString('base64');
+}
+
+/**
+ * Parse and check a signing certificate and its private key: the key has to be an EC P-256 key,
+ * match the certificate's public key, and the certificate has to be valid now
+ *
+ * @param {string} certPem - The certificate PEM
+ * @param {string} keyPem - The private key PEM (PKCS#8 or SEC1), not encrypted
+ * @param {Date} [now] - The time the certificate has to be valid at
+ * @returns {{certificate: crypto.X509Certificate, privateKey: crypto.KeyObject, kid: string}}
+ */
+function parseSigningKeyPair(certPem, keyPem, now) {
+  let certificate;
+  try {
+    certificate = new crypto.X509Certificate(certPem);
+  } catch (err) {
+    throw new Error('certificate is not a valid PEM certificate');
+  }
+
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(keyPem);
+  } catch (err) {
+    throw new Error('privateKey is not a valid, unencrypted PEM private key');
+  }
+
+  const curve = privateKey.asymmetricKeyDetails ? privateKey.asymmetricKeyDetails.namedCurve : null;
+  if (privateKey.asymmetricKeyType !== 'ec' || curve !== SIGNING_CURVE) {
+    throw new Error('privateKey must be an EC key on P-256 (prime256v1), as COSE ES256 signatures need');
+  }
+
+  if (!certificate.checkPrivateKey(privateKey)) {
+    throw new Error('privateKey does not match the public key of the certificate');
+  }
+
+  const current = now || new Date();
+  if (current < new Date(certificate.validFrom)) {
+    throw new Error(`certificate is not valid until ${new Date(certificate.validFrom).toISOString()}`);
+  }
+  if (current > new Date(certificate.validTo)) {
+    throw new Error(`certificate expired at ${new Date(certificate.validTo).toISOString()}`);
+  }
+
+  return { certificate: certificate, privateKey: privateKey, kid: certificateKid(certificate) };
+}
+
+/**
+ * Describe a certificate for API responses - nothing secret
+ *
+ * @param {crypto.X509Certificate} certificate - The certificate
+ * @returns {object} The kid, subject, issuer, serial number, validity, thumbprint and public JWK
+ */
+function describeCertificate(certificate) {
+  const { kty, crv, x, y } = certificate.publicKey.export({ format: 'jwk' });
+  return {
+    kid: certificateKid(certificate),
+    subject: certificate.subject,
+    issuer: certificate.issuer,
+    serialNumber: certificate.serialNumber,
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validTo: new Date(certificate.validTo).toISOString(),
+    fingerprint256: certificate.fingerprint256,
+    publicKeyJwk: { kty, crv, x, y }
+  };
+}
+
+module.exports = {
+  certificateKid,
+  parseSigningKeyPair,
+  describeCertificate
+};
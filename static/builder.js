@@ -0,0 +1,227 @@
+/**
+ * SHL Link Builder
+ *
+ * Lets a holder share files or a pasted FHIR bundle as a SMART Health Link:
+ * creates the link with /shl/create, uploads the files with /shl/upload and
+ * shows the QR code and shlink. Links are created with a holder session
+ * (X-SHL-Session), never the shared server password. The session comes from
+ * the #session= fragment of a builder link, or is opened on the spot when the
+ * server allows open holder sessions.
+ */
+(function () {
+  'use strict';
+
+  const SESSION_KEY = 'shl-builder-session';
+
+  function showStatus(message, kind) {
+    const status = document.getElementById('status');
+    status.textContent = message || '';
+    status.className = message ? `status ${kind || 'info'}` : 'status hidden';
+  }
+
+  async function errorMessage(response) {
+    try {
+      const body = await response.json();
+      return body.error || `${response.status} ${response.statusText}`;
+    } catch (err) {
+      return `${response.status} ${response.statusText}`;
+    }
+  }
+
+  // Take a session handed over in the fragment, and remove it from the address bar
+  function sessionFromFragment() {
+    const match = /[#&]session=([A-Za-z0-9_-]+)/.exec(location.hash);
+    if (match) {
+      sessionStorage.setItem(SESSION_KEY, match[1]);
+      history.replaceState(null, '', location.pathname + location.search);
+    }
+  }
+
+  // Open a session if the server gives them to anyone
+  async function openSession() {
+    const response = await fetch('/shl/session', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    if (!response.ok) {
+      return null;
+    }
+    const session = (await response.json()).session;
+    sessionStorage.setItem(SESSION_KEY, session);
+    return session;
+  }
+
+  // The SHL content type of a file, from its content
+  function detectType(text) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      throw new Error('Only JSON files (FHIR resources and SMART Health Cards) can be shared');
+    }
+    if (Array.isArray(json.verifiableCredential)) {
+      return 'application/smart-health-card';
+    }
+    if (typeof json.resourceType === 'string') {
+      return 'application/fhir+json';
+    }
+    throw new Error('The content is neither a FHIR resource nor a SMART Health Card');
+  }
+
+  async function readContent() {
+    const content = [];
+    for (const file of document.getElementById('files').files) {
+      const text = await file.text();
+      try {
+        content.push({ name: file.name, text: text, type: detectType(text) });
+      } catch (err) {
+        throw new Error(`${file.name}: ${err.message}`);
+      }
+    }
+
+    const pasted = document.getElementById('pasted').value.trim();
+    if (pasted) {
+      content.push({ name: 'pasted.json', text: pasted, type: detectType(pasted) });
+    }
+
+    if (content.length === 0) {
+      throw new Error('Choose a file or paste a FHIR bundle to share');
+    }
+    return content;
+  }
+
+  function linkSettings() {
+    const settings = { vhl: false, viewer: `${location.origin}/viewer.html` };
+
+    const label = document.getElementById('label').value.trim();
+    if (label) {
+      settings.label = label;
+    }
+
+    const expiry = document.getElementById('expiry').value;
+    if (expiry === 'date') {
+      const date = document.getElementById('expiry-date').value;
+      if (!date) {
+        throw new Error('Choose the date the link expires');
+      }
+      // The end of the chosen day, in the holder's time zone
+      settings.exp = new Date(`${date}T23:59:59`).toISOString();
+    } else {
+      settings.exp = expiry;
+    }
+
+    const maxAccesses = document.getElementById('max-accesses').value;
+    if (maxAccesses) {
+      settings.maxAccesses = parseInt(maxAccesses, 10);
+    }
+
+    const passcode = document.getElementById('passcode').value;
+    if (passcode) {
+      settings.passcode = passcode;
+    }
+    return settings;
+  }
+
+  async function createLink(settings) {
+    const send = (session) => fetch('/shl/create', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-SHL-Session': session },
+      body: JSON.stringify(settings)
+    });
+
+    let session = sessionStorage.getItem(SESSION_KEY) || await openSession();
+    if (!session) {
+      throw new Error('Ask your healthcare provider for a link to this page to share your records');
+    }
+
+    let response = await send(session);
+    // An expired or used up session is replaced once, where the server allows it
+    if (response.status === 401) {
+      sessionStorage.removeItem(SESSION_KEY);
+      session = await openSession();
+      if (!session) {
+        throw new Error('Your session has ended - ask your healthcare provider for a new link to this page');
+      }
+      response = await send(session);
+    }
+
+    if (!response.ok) {
+      throw new Error(await errorMessage(response));
+    }
+    return response.json();
+  }
+
+  // The fields have to come before the files
+  async function uploadContent(link, content) {
+    const form = new FormData();
+    form.append('uuid', link.uuid);
+    form.append('pword', link.pword);
+    form.append('key', link.key);
+    content.forEach(item => form.append('file', new Blob([item.text], { type: item.type }), item.name));
+
+    const response = await fetch('/shl/upload', { method: 'POST', body: form });
+    if (!response.ok) {
+      throw new Error(`The link was created, but the files could not be added: ${await errorMessage(response)}`);
+    }
+  }
+
+  // The server needs the key to draw the QR code; it is sent in a header so it stays out of URLs
+  async function showResult(link) {
+    document.getElementById('result-label').textContent = link.payload.label || '';
+    document.getElementById('shlink').textContent = link.shlink;
+    document.getElementById('viewer-link').textContent = link.viewerLink || '';
+    document.getElementById('pword').textContent = link.pword;
+
+    const response = await fetch(`/shl/${link.uuid}/qr?encode=viewer&size=320`, { headers: { 'X-SHL-Key': link.key } });
+    if (response.ok) {
+      document.getElementById('qr').src = URL.createObjectURL(await response.blob());
+    }
+
+    document.getElementById('build-form').classList.add('hidden');
+    document.getElementById('result').classList.remove('hidden');
+  }
+
+  async function build(event) {
+    event.preventDefault();
+    const button = document.getElementById('build-button');
+    button.disabled = true;
+
+    try {
+      const content = await readContent();
+      const settings = linkSettings();
+      showStatus('Creating your link...');
+      const link = await createLink(settings);
+      await uploadContent(link, content);
+      await showResult(link);
+      showStatus('');
+    } catch (err) {
+      showStatus(err.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async function start() {
+    sessionFromFragment();
+
+    document.getElementById('expiry').addEventListener('change', (event) => {
+      document.getElementById('expiry-date').classList.toggle('hidden', event.target.value !== 'date');
+    });
+    document.getElementById('build-form').addEventListener('submit', build);
+    document.getElementById('again-button').addEventListener('click', () => {
+      document.getElementById('build-form').reset();
+      document.getElementById('expiry-date').classList.add('hidden');
+      document.getElementById('result').classList.add('hidden');
+      document.getElementById('build-form').classList.remove('hidden');
+    });
+
+    if (!sessionStorage.getItem(SESSION_KEY) && !await openSession()) {
+      showStatus('Ask your healthcare provider for a link to this page to share your records', 'error');
+      return;
+    }
+    document.getElementById('build-form').classList.remove('hidden');
+  }
+
+  start();
+})();
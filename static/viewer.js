@@ -0,0 +1,539 @@
+/**
+ * SHL Viewer
+ *
+ * Opens a SMART Health Link given in the #shlink:/ fragment (or pasted in),
+ * fetches its manifest, decrypts the files in the browser with the key from
+ * the link and renders the FHIR content: patient, immunizations, medications
+ * and the sections of IPS documents. No libraries - only the browser's Web
+ * Crypto and DecompressionStream APIs.
+ */
+(function () {
+  'use strict';
+
+  // Narrative XHTML is shown with these elements only - anything else is reduced to its text
+  const NARRATIVE_TAGS = ['div', 'p', 'span', 'br', 'b', 'i', 'u', 'strong', 'em', 'small', 'sub', 'sup', 'ul', 'ol', 'li',
+    'dl', 'dt', 'dd', 'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'pre', 'code', 'blockquote', 'hr'];
+  const NARRATIVE_DROP = ['script', 'style', 'iframe', 'object', 'embed', 'form', 'input', 'button', 'textarea', 'select', 'template'];
+
+  const MEDICATION_TYPES = ['MedicationStatement', 'MedicationRequest', 'MedicationAdministration', 'MedicationDispense'];
+
+  let currentLink = null;
+
+  // ---- SHLink handling ----
+
+  function base64urlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((value.length + 3) % 4);
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  // Parse shlink:/..., a viewer URL with a #shlink:/ fragment, or an access URL carrying one
+  function parseSHLink(text) {
+    const index = text.indexOf('shlink:/');
+    if (index < 0) {
+      throw new Error('This is not a SMART Health Link (no shlink:/ found)');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(new TextDecoder().decode(base64urlToBytes(text.slice(index + 8).trim())));
+    } catch (err) {
+      throw new Error('The SMART Health Link payload could not be read');
+    }
+
+    if (typeof payload.url !== 'string' || typeof payload.key !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(payload.key)) {
+      throw new Error('The SMART Health Link is missing its url or key');
+    }
+    return payload;
+  }
+
+  async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress the content');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // Decrypt a compact JWE ("alg": "dir", "enc": "A256GCM") with the key from the link
+  async function decryptJWE(jwe, key) {
+    if (!window.crypto || !window.crypto.subtle) {
+      throw new Error('Decryption needs a secure (https) page');
+    }
+
+    const parts = jwe.trim().split('.');
+    if (parts.length !== 5) {
+      throw new Error('The file is not a compact JWE');
+    }
+
+    const header = JSON.parse(new TextDecoder().decode(base64urlToBytes(parts[0])));
+    if (header.alg !== 'dir' || header.enc !== 'A256GCM') {
+      throw new Error(`Unsupported encryption ${header.alg}/${header.enc}`);
+    }
+
+    const cryptoKey = await crypto.subtle.importKey('raw', base64urlToBytes(key), 'AES-GCM', false, ['decrypt']);
+    const ciphertext = base64urlToBytes(parts[3]);
+    const tag = base64urlToBytes(parts[4]);
+    const sealed = new Uint8Array(ciphertext.length + tag.length);
+    sealed.set(ciphertext);
+    sealed.set(tag, ciphertext.length);
+
+    let plaintext = new Uint8Array(await crypto.subtle.decrypt({
+      name: 'AES-GCM',
+      iv: base64urlToBytes(parts[2]),
+      additionalData: new TextEncoder().encode(parts[0]),
+      tagLength: 128
+    }, cryptoKey, sealed));
+
+    if (header.zip === 'DEF') {
+      plaintext = await inflateRaw(plaintext);
+    }
+
+    return { contentType: header.cty, text: new TextDecoder().decode(plaintext) };
+  }
+
+  async function errorMessage(response) {
+    try {
+      const body = await response.json();
+      return body.error || `${response.status} ${response.statusText}`;
+    } catch (err) {
+      return `${response.status} ${response.statusText}`;
+    }
+  }
+
+  // Fetch and decrypt the files of a link. A missing or wrong passcode is returned rather
+  // than thrown, so the form can ask for it
+  async function fetchFiles(link, recipient, passcode) {
+    const flag = link.flag || '';
+
+    if (flag.includes('U')) {
+      const separator = link.url.includes('?') ? '&' : '?';
+      const response = await fetch(`${link.url}${separator}recipient=${encodeURIComponent(recipient)}`);
+      if (!response.ok) {
+        throw new Error(await errorMessage(response));
+      }
+      const file = await decryptJWE(await response.text(), link.key);
+      return { files: [file] };
+    }
+
+    const body = { recipient: recipient };
+    if (passcode) {
+      body.passcode = passcode;
+    }
+
+    const response = await fetch(link.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (response.status === 401) {
+      const problem = await response.json().catch(() => ({}));
+      return { passcodeRequired: true, remainingAttempts: problem.remainingAttempts };
+    }
+    if (!response.ok) {
+      throw new Error(await errorMessage(response));
+    }
+
+    const manifest = await response.json();
+    if (manifest.status === 'no-longer-valid') {
+      throw new Error('The holder has withdrawn this link');
+    }
+
+    const files = [];
+    for (const entry of manifest.files || []) {
+      let jwe = entry.embedded;
+      if (!jwe && entry.location) {
+        const fileResponse = await fetch(entry.location);
+        if (!fileResponse.ok) {
+          throw new Error(`A file could not be fetched: ${await errorMessage(fileResponse)}`);
+        }
+        jwe = await fileResponse.text();
+      }
+      if (!jwe) {
+        continue;
+      }
+
+      const file = await decryptJWE(jwe, link.key);
+      file.contentType = entry.contentType || file.contentType;
+      file.verification = entry.verification;
+      files.push(file);
+    }
+    return { files: files };
+  }
+
+  // ---- Content ----
+
+  // Decode the credentials of a SMART Health Card to their FHIR bundles. Signatures are checked
+  // by the server on upload, and reported in the manifest as verification
+  async function readHealthCard(json) {
+    const bundles = [];
+    for (const jws of json.verifiableCredential || []) {
+      const parts = String(jws).split('.');
+      const header = JSON.parse(new TextDecoder().decode(base64urlToBytes(parts[0])));
+      let payloadBytes = base64urlToBytes(parts[1]);
+      if (header.zip === 'DEF') {
+        payloadBytes = await inflateRaw(payloadBytes);
+      }
+      const payload = JSON.parse(new TextDecoder().decode(payloadBytes));
+      const subject = payload.vc && payload.vc.credentialSubject;
+      if (subject && subject.fhirBundle) {
+        bundles.push({ bundle: subject.fhirBundle, issuer: payload.iss });
+      }
+    }
+    return bundles;
+  }
+
+  // Gather the resources of all files, with an index to resolve references inside each bundle
+  async function collectContent(files) {
+    const content = { resources: [], compositions: [], apiAccess: [], cards: [] };
+
+    const addBundle = (bundle) => {
+      const index = {};
+      (bundle.entry || []).forEach((entry) => {
+        const resource = entry && entry.resource;
+        if (!resource) {
+          return;
+        }
+        if (entry.fullUrl) {
+          index[entry.fullUrl] = resource;
+        }
+        if (resource.id) {
+          index[`${resource.resourceType}/${resource.id}`] = resource;
+        }
+      });
+      (bundle.entry || []).forEach((entry) => {
+        if (entry && entry.resource) {
+          addResource(entry.resource, index);
+        }
+      });
+    };
+
+    const addResource = (resource, index) => {
+      if (resource.resourceType === 'Bundle') {
+        return addBundle(resource);
+      }
+      if (resource.resourceType === 'Composition') {
+        content.compositions.push({ composition: resource, index: index });
+      }
+      content.resources.push({ resource: resource, index: index });
+    };
+
+    for (const file of files) {
+      const json = JSON.parse(file.text);
+      if (file.contentType === 'application/smart-health-card') {
+        const bundles = await readHealthCard(json);
+        content.cards.push({ issuers: bundles.map(b => b.issuer), verification: file.verification });
+        bundles.forEach(b => addBundle(b.bundle));
+      } else if (file.contentType === 'application/smart-api-access') {
+        content.apiAccess.push(json);
+      } else {
+        addResource(json, {});
+      }
+    }
+    return content;
+  }
+
+  // ---- Rendering ----
+
+  function el(tag, attributes, children) {
+    const node = document.createElement(tag);
+    Object.entries(attributes || {}).forEach(([name, value]) => {
+      if (name === 'className') {
+        node.className = value;
+      } else {
+        node.setAttribute(name, value);
+      }
+    });
+    [].concat(children || []).forEach((child) => {
+      if (child !== null && child !== undefined) {
+        node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+      }
+    });
+    return node;
+  }
+
+  function codeableText(concept) {
+    if (!concept) {
+      return '';
+    }
+    if (concept.text) {
+      return concept.text;
+    }
+    const coding = (concept.coding || []).find(c => c.display) || (concept.coding || [])[0];
+    return coding ? (coding.display || `${coding.system || ''}|${coding.code || ''}`) : '';
+  }
+
+  function humanName(name) {
+    if (!name) {
+      return '';
+    }
+    return name.text || [].concat(name.prefix || [], name.given || [], name.family || [], name.suffix || []).join(' ');
+  }
+
+  function resolve(reference, index) {
+    return reference && reference.reference ? index[reference.reference] : null;
+  }
+
+  function table(headings, rows) {
+    return el('table', {}, [
+      el('thead', {}, el('tr', {}, headings.map(h => el('th', {}, h)))),
+      el('tbody', {}, rows.map(row => el('tr', {}, row.map(cell => el('td', {}, cell)))))
+    ]);
+  }
+
+  // Copy narrative XHTML keeping only safe elements and no attributes except table spans
+  function sanitizeNarrative(xhtml) {
+    const source = new DOMParser().parseFromString(`<div>${xhtml}</div>`, 'text/html').body.firstChild;
+
+    const copy = (node, target) => {
+      node.childNodes.forEach((child) => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          target.appendChild(document.createTextNode(child.textContent));
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+          const tag = child.tagName.toLowerCase();
+          if (NARRATIVE_DROP.includes(tag)) {
+            return;
+          }
+          if (NARRATIVE_TAGS.includes(tag)) {
+            const element = document.createElement(tag);
+            ['colspan', 'rowspan'].forEach((name) => {
+              if (/^\d+$/.test(child.getAttribute(name) || '')) {
+                element.setAttribute(name, child.getAttribute(name));
+              }
+            });
+            copy(child, element);
+            target.appendChild(element);
+          } else {
+            copy(child, target);
+          }
+        }
+      });
+    };
+
+    const result = el('div', { className: 'narrative' });
+    copy(source, result);
+    return result;
+  }
+
+  // A one line description of any resource, for section entries and other resources
+  function summarize(resource, index) {
+    const medication = resolve(resource.medicationReference, index);
+    const text = codeableText(resource.code) || codeableText(resource.vaccineCode) ||
+      codeableText(resource.medicationCodeableConcept) || (medication ? codeableText(medication.code) : '') || humanName((resource.name || [])[0]) ||
+      (typeof resource.name === 'string' ? resource.name : '') || resource.title || '';
+    return `${resource.resourceType}${text ? ': ' + text : ''}`;
+  }
+
+  function renderPatients(resources) {
+    const seen = new Set();
+    return resources.filter(({ resource }) => resource.resourceType === 'Patient').filter(({ resource }) => {
+      const key = JSON.stringify([resource.name, resource.birthDate]);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    }).map(({ resource }) => el('div', { className: 'panel' }, [
+      el('div', { className: 'patient-name' }, humanName((resource.name || [])[0]) || 'Unnamed patient'),
+      el('div', { className: 'patient-details' }, [
+        resource.birthDate ? el('span', {}, `Born ${resource.birthDate}`) : null,
+        resource.gender ? el('span', {}, `Gender ${resource.gender}`) : null,
+        ...(resource.identifier || []).map(id => el('span', {}, `${id.type ? codeableText(id.type) : 'ID'} ${id.value || ''}`))
+      ])
+    ]));
+  }
+
+  function renderImmunizations(resources) {
+    const rows = resources.filter(({ resource }) => resource.resourceType === 'Immunization').map(({ resource, index }) => {
+      const performer = (resource.performer || []).map(p => resolve(p.actor, index)).find(Boolean);
+      return [
+        codeableText(resource.vaccineCode),
+        resource.occurrenceDateTime || resource.occurrenceString || '',
+        resource.status || '',
+        resource.lotNumber || '',
+        performer ? (performer.name && typeof performer.name === 'string' ? performer.name : humanName((performer.name || [])[0])) : ''
+      ];
+    });
+    if (rows.length === 0) {
+      return null;
+    }
+    return el('div', { className: 'panel' }, [
+      el('h2', {}, 'Immunizations'),
+      table(['Vaccine', 'Date', 'Status', 'Lot', 'Performer'], rows)
+    ]);
+  }
+
+  function renderMedications(resources) {
+    const rows = resources.filter(({ resource }) => MEDICATION_TYPES.includes(resource.resourceType)).map(({ resource, index }) => {
+      const medication = resolve(resource.medicationReference, index);
+      const dosage = [].concat(resource.dosage || resource.dosageInstruction || []).map(d => d.text).filter(Boolean).join('; ');
+      return [
+        codeableText(resource.medicationCodeableConcept) || (medication ? codeableText(medication.code) : ''),
+        resource.status || '',
+        dosage,
+        (resource.effectivePeriod && resource.effectivePeriod.start) || resource.effectiveDateTime || resource.authoredOn || ''
+      ];
+    });
+    if (rows.length === 0) {
+      return null;
+    }
+    return el('div', { className: 'panel' }, [
+      el('h2', {}, 'Medications'),
+      table(['Medication', 'Status', 'Dosage', 'Date'], rows)
+    ]);
+  }
+
+  function renderSection(section, index, level) {
+    const entries = (section.entry || []).map(ref => resolve(ref, index)).filter(Boolean);
+    return el('div', {}, [
+      el(level > 1 ? 'h4' : 'h3', {}, section.title || codeableText(section.code) || 'Section'),
+      section.text && section.text.div ? sanitizeNarrative(section.text.div) : null,
+      !(section.text && section.text.div) && entries.length > 0 ?
+        el('ul', {}, entries.map(resource => el('li', {}, summarize(resource, index)))) : null,
+      ...(section.section || []).map(child => renderSection(child, index, level + 1))
+    ]);
+  }
+
+  // IPS and other FHIR documents are shown section by section, with the author's narrative
+  function renderCompositions(compositions) {
+    return compositions.map(({ composition, index }) => el('div', { className: 'panel' }, [
+      el('h2', {}, composition.title || codeableText(composition.type) || 'Document'),
+      composition.date ? el('div', { className: 'muted' }, `Dated ${composition.date}`) : null,
+      ...(composition.section || []).map(section => renderSection(section, index, 1))
+    ]));
+  }
+
+  function renderOthers(resources) {
+    const shown = ['Patient', 'Immunization', 'Composition', 'Medication', ...MEDICATION_TYPES];
+    const others = resources.filter(({ resource }) => !shown.includes(resource.resourceType));
+    if (others.length === 0) {
+      return null;
+    }
+    return el('div', { className: 'panel' }, [
+      el('h2', {}, 'Other information'),
+      el('ul', {}, others.map(({ resource, index }) => el('li', {}, summarize(resource, index))))
+    ]);
+  }
+
+  function renderCards(cards) {
+    return cards.map((card) => {
+      const status = card.verification ? card.verification.status : null;
+      return el('div', { className: 'panel' }, [
+        el('h2', {}, [
+          'SMART Health Card',
+          status ? el('span', { className: `badge ${status}` }, status) : null
+        ]),
+        el('div', { className: 'muted' }, `Issued by ${card.issuers.filter(Boolean).join(', ') || 'unknown issuer'}`)
+      ]);
+    });
+  }
+
+  function renderAPIAccess(entries) {
+    return entries.map(entry => el('div', { className: 'panel' }, [
+      el('h2', {}, 'Live FHIR API access'),
+      table(['Endpoint', 'Scopes', 'Expires in'], [[
+        entry.aud || '',
+        entry.scope || '',
+        entry.expires_in ? `${entry.expires_in} seconds` : ''
+      ]]),
+      el('p', { className: 'muted' }, 'This link grants access to a FHIR endpoint; use the access token with a FHIR client.')
+    ]));
+  }
+
+  function render(content) {
+    const container = document.getElementById('content');
+    container.textContent = '';
+
+    [
+      ...renderPatients(content.resources),
+      ...renderCards(content.cards),
+      renderImmunizations(content.resources),
+      renderMedications(content.resources),
+      ...renderCompositions(content.compositions),
+      renderOthers(content.resources),
+      ...renderAPIAccess(content.apiAccess)
+    ].filter(Boolean).forEach(panel => container.appendChild(panel));
+
+    if (!container.firstChild) {
+      container.appendChild(el('div', { className: 'panel' }, 'The link has no content to show.'));
+    }
+  }
+
+  // ---- Page ----
+
+  function showStatus(message, kind) {
+    const status = document.getElementById('status');
+    status.textContent = message || '';
+    status.className = message ? `status ${kind || 'info'}` : 'status hidden';
+  }
+
+  function useLink(text) {
+    currentLink = parseSHLink(text);
+    document.getElementById('link-field').classList.toggle('hidden', location.hash.includes('shlink:/'));
+    document.getElementById('passcode-field').classList.toggle('hidden', !(currentLink.flag || '').includes('P'));
+
+    const label = document.getElementById('link-label');
+    label.textContent = currentLink.label || '';
+    label.classList.toggle('hidden', !currentLink.label);
+
+    if (currentLink.exp && currentLink.exp * 1000 < Date.now()) {
+      showStatus(`This link expired on ${new Date(currentLink.exp * 1000).toLocaleString()}`, 'error');
+    } else {
+      showStatus('');
+    }
+  }
+
+  async function open(event) {
+    event.preventDefault();
+    const button = document.getElementById('open-button');
+    const recipient = document.getElementById('recipient').value.trim();
+
+    try {
+      if (!currentLink || !location.hash.includes('shlink:/')) {
+        useLink(document.getElementById('shlink').value);
+      }
+      localStorage.setItem('shl-viewer-recipient', recipient);
+
+      button.disabled = true;
+      showStatus('Retrieving and decrypting...');
+      const result = await fetchFiles(currentLink, recipient, document.getElementById('passcode').value);
+
+      if (result.passcodeRequired) {
+        document.getElementById('passcode-field').classList.remove('hidden');
+        const remaining = result.remainingAttempts !== undefined ? ` (${result.remainingAttempts} attempts left)` : '';
+        showStatus(`Please enter the correct passcode${remaining}`, 'error');
+        return;
+      }
+
+      render(await collectContent(result.files));
+      document.getElementById('open-form').classList.add('hidden');
+      showStatus('');
+    } catch (err) {
+      showStatus(err.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  function start() {
+    document.getElementById('recipient').value = localStorage.getItem('shl-viewer-recipient') || '';
+    document.getElementById('open-form').addEventListener('submit', open);
+
+    if (location.hash.includes('shlink:/')) {
+      try {
+        useLink(decodeURIComponent(location.hash));
+      } catch (err) {
+        showStatus(err.message, 'error');
+      }
+    }
+  }
+
+  window.addEventListener('hashchange', () => location.reload());
+  start();
+})();